@@ -0,0 +1,625 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('Block', function () {
+  function newTransaction (value) {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const sender = umi.Address.fromKey(secKey)
+    return new umi.Transaction()
+      .setVersion(umi.Transaction.Basic)
+      .setSender(sender)
+      .setRecipient(sender)
+      .setValue(value)
+      .setNonce(value)
+      .sign(secKey)
+  }
+
+  function newBlockBytes (txs) {
+    const len = umi.BlockHeader.LENGTH + txs.length * umi.Transaction.LENGTH
+    const bytes = new Uint8Array(len)
+    bytes[0] = 1
+    bytes[1] = 255
+    bytes[70] = txs.length
+    txs.forEach(function (tx, i) {
+      bytes.set(tx.bytes, umi.BlockHeader.LENGTH + i * umi.Transaction.LENGTH)
+    })
+    return bytes
+  }
+
+  describe('new Block()', function () {
+    describe('возвращяет ошибку если передать', function () {
+      const len = umi.BlockHeader.LENGTH
+      const tests = [
+        { desc: 'число', args: len },
+        { desc: 'массив', args: new Array(len) },
+        { desc: 'объект', args: { a: 'b' } },
+        { desc: 'ArrayBuffer', args: new ArrayBuffer(len) },
+        { desc: 'слишком короткий Uint8Array', args: new Uint8Array(len - 1) },
+        { desc: 'Uint8Array с лишними байтами', args: new Uint8Array(len + 1) },
+        {
+          desc: 'Uint8Array с недостающими транзакциями',
+          args: newBlockBytes([newTransaction(1)]).subarray(0, len + 149)
+        }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () {
+            return new umi.Block(test.args)
+          }, Error)
+        })
+      })
+    })
+
+    describe('создает блок', function () {
+      it('если вызвать без параметров', function () {
+        const block = new umi.Block()
+        assert.strictEqual(block.transactions.length, 0)
+        assert.deepEqual(block.bytes, new Uint8Array(umi.BlockHeader.LENGTH))
+      })
+
+      it('если передать заголовок без транзакций', function () {
+        const block = new umi.Block(new Uint8Array(umi.BlockHeader.LENGTH))
+        assert.strictEqual(block.header.txCount, 0)
+        assert.strictEqual(block.transactions.length, 0)
+      })
+    })
+  })
+
+  describe('разбор блока', function () {
+    const txs = [newTransaction(1), newTransaction(2), newTransaction(3)]
+    const bytes = newBlockBytes(txs)
+    const block = new umi.Block(bytes)
+
+    it('заголовок', function () {
+      assert.deepEqual(block.header.bytes,
+        bytes.subarray(0, umi.BlockHeader.LENGTH))
+      assert.strictEqual(block.header.txCount, txs.length)
+    })
+
+    it('транзакции', function () {
+      const actual = block.transactions
+      assert.strictEqual(actual.length, txs.length)
+      actual.forEach(function (tx, i) {
+        assert.deepEqual(tx.bytes, txs[i].bytes)
+        assert.strictEqual(tx.value, txs[i].value)
+        assert.isTrue(tx.verify())
+      })
+    })
+
+    it('bytes возвращяет исходный блок', function () {
+      assert.deepEqual(block.bytes, bytes)
+    })
+
+    it('изменение исходного буфера не влияет на блок', function () {
+      const copy = new Uint8Array(bytes)
+      const blk = new umi.Block(copy)
+      copy.fill(0)
+      assert.deepEqual(blk.bytes, bytes)
+    })
+
+    it('изменение списка транзакций не влияет на блок', function () {
+      block.transactions.pop()
+      assert.strictEqual(block.transactions.length, txs.length)
+    })
+  })
+
+  describe('calculateMerkleRoot', function () {
+    it('возвращяет нулевой хэш для блока без транзакций', function () {
+      const actual = new umi.Block().calculateMerkleRoot()
+      assert.deepEqual(actual, new Uint8Array(32))
+    })
+
+    it('возвращяет хэш транзакции для блока из одной транзакции', function () {
+      const tx = newTransaction(1)
+      const actual = new umi.Block(newBlockBytes([tx])).calculateMerkleRoot()
+      assert.deepEqual(actual, tx.hash)
+    })
+
+    it('дублирует последний хэш на уровне с нечетным количеством', function () {
+      const txs = [newTransaction(1), newTransaction(2), newTransaction(3)]
+      const expected = new Uint8Array([
+        184, 62, 244, 193, 223, 231, 170, 86, 102, 54, 190, 70, 229, 14, 30, 116,
+        42, 126, 24, 109, 56, 145, 194, 83, 39, 105, 4, 62, 233, 86, 193, 49
+      ])
+      const actual = new umi.Block(newBlockBytes(txs)).calculateMerkleRoot()
+      assert.deepEqual(actual, expected)
+    })
+  })
+
+  describe('merkleProof', function () {
+    const txs = []
+    for (let i = 1; i <= 7; i++) {
+      txs.push(newTransaction(i))
+    }
+    const block = new umi.Block(newBlockBytes(txs))
+    const root = block.calculateMerkleRoot()
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'строку', args: '1' },
+        { desc: 'float', args: 0.5 },
+        { desc: 'отрицательный индекс', args: -1 },
+        { desc: 'индекс за пределами блока', args: 7 }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { block.merkleProof(test.args) }, Error)
+        })
+      })
+    })
+
+    txs.forEach(function (tx, i) {
+      it('доказательство для транзакции #' + i, function () {
+        const proof = block.merkleProof(i)
+        assert.strictEqual(proof.length, 3)
+        assert.isTrue(umi.Block.verifyMerkleProof(tx.hash, proof, root))
+      })
+    })
+
+    it('пустое доказательство для блока из одной транзакции', function () {
+      const blk = new umi.Block(newBlockBytes([txs[0]]))
+      const proof = blk.merkleProof(0)
+      assert.strictEqual(proof.length, 0)
+      assert.isTrue(umi.Block.verifyMerkleProof(txs[0].hash, proof, txs[0].hash))
+    })
+  })
+
+  describe('verifyMerkleProof', function () {
+    const txs = [newTransaction(1), newTransaction(2), newTransaction(3)]
+    const block = new umi.Block(newBlockBytes(txs))
+    const root = block.calculateMerkleRoot()
+    const proof = block.merkleProof(1)
+
+    it('возвращяет false для чужой транзакции', function () {
+      const actual = umi.Block.verifyMerkleProof(txs[0].hash, proof, root)
+      assert.isFalse(actual)
+    })
+
+    it('возвращяет false если изменить порядок узлов', function () {
+      const swapped = proof.map(function (item) {
+        return { hash: item.hash, left: !item.left }
+      })
+      assert.isFalse(umi.Block.verifyMerkleProof(txs[1].hash, swapped, root))
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'хэш неверной длины', args: [new Uint8Array(31), proof, root] },
+        { desc: 'доказательство не массивом', args: [txs[1].hash, {}, root] },
+        { desc: 'корень строкой', args: [txs[1].hash, proof, 'a'] },
+        { desc: 'некорректный элемент', args: [txs[1].hash, [null], root] },
+        {
+          desc: 'элемент с хэшем неверной длины',
+          args: [txs[1].hash, [{ hash: new Uint8Array(1) }], root]
+        }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () {
+            umi.Block.verifyMerkleProof(test.args[0], test.args[1], test.args[2])
+          }, Error)
+        })
+      })
+    })
+  })
+
+  describe('appendTransaction', function () {
+    describe('возвращяет ошибку если передать', function () {
+      it('не транзакцию', function () {
+        const block = new umi.Block()
+        assert.throws(function () {
+          block.appendTransaction(newTransaction(1).bytes)
+        }, Error)
+      })
+
+      it('неподписанную транзакцию', function () {
+        const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+        const tx = new umi.Transaction()
+          .setVersion(umi.Transaction.Basic)
+          .setSender(umi.Address.fromKey(secKey))
+        assert.throws(function () {
+          new umi.Block().appendTransaction(tx)
+        }, Error)
+      })
+
+      it('транзакцию с некорректной подписью', function () {
+        const tx = newTransaction(1).setValue(2)
+        assert.throws(function () {
+          new umi.Block().appendTransaction(tx)
+        }, Error)
+      })
+    })
+
+    it('добавляет копию транзакции и обновляет txCount', function () {
+      const tx = newTransaction(1)
+      const block = new umi.Block().appendTransaction(tx)
+      tx.setNonce(100)
+
+      assert.strictEqual(block.header.txCount, 1)
+      assert.strictEqual(block.transactions[0].nonce, 1)
+    })
+  })
+
+  describe('sign', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+    function newBlock () {
+      const block = new umi.Block()
+      block.header
+        .setVersion(umi.BlockHeader.Basic)
+        .setPreviousBlockHash(new Uint8Array(32))
+      return block
+    }
+
+    it('возвращяет ошибку если передать не SecretKey', function () {
+      assert.throws(function () { newBlock().sign({}) }, Error)
+    })
+
+    it('возвращяет ошибку если не задан хэш предыдущего блока', function () {
+      const block = new umi.Block()
+      block.header.setVersion(umi.BlockHeader.Basic)
+      assert.throws(function () { block.sign(secKey) }, Error)
+    })
+
+    it('заполняет заголовок и подписывает блок', function () {
+      const txs = [newTransaction(1), newTransaction(2), newTransaction(3)]
+      const block = newBlock()
+      txs.forEach(function (tx) { block.appendTransaction(tx) })
+      const before = Math.floor(Date.now() / 1000)
+      block.sign(secKey)
+      const header = block.header
+
+      assert.strictEqual(header.txCount, 3)
+      assert.deepEqual(header.merkleRoot, block.calculateMerkleRoot())
+      assert.isAtLeast(header.timestamp, before)
+      assert.deepEqual(header.publicKey.bytes, secKey.publicKey.bytes)
+      assert.isTrue(header.verify())
+    })
+
+    it('не изменяет заданное время создания блока', function () {
+      const block = newBlock().appendTransaction(newTransaction(1))
+      block.header.setTimestamp(1593536400)
+      block.sign(secKey)
+      assert.strictEqual(block.header.timestamp, 1593536400)
+    })
+
+    it('подписанный блок можно разобрать из bytes', function () {
+      const block = newBlock()
+        .appendTransaction(newTransaction(1))
+        .appendTransaction(newTransaction(2))
+        .sign(secKey)
+      const actual = new umi.Block(block.bytes)
+
+      assert.deepEqual(actual.bytes, block.bytes)
+      assert.isTrue(actual.header.verify())
+      assert.deepEqual(actual.header.merkleRoot, actual.calculateMerkleRoot())
+    })
+  })
+
+  describe('verify', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+    function newSignedBlock () {
+      const block = new umi.Block()
+      block.header
+        .setVersion(umi.BlockHeader.Basic)
+        .setPreviousBlockHash(new Uint8Array(32))
+      return block
+        .appendTransaction(newTransaction(1))
+        .appendTransaction(newTransaction(2))
+        .appendTransaction(newTransaction(3))
+        .sign(secKey)
+    }
+
+    it('не подписанный заголовок', function () {
+      const block = new umi.Block().appendTransaction(newTransaction(1))
+      assert.deepEqual(block.verify(), {
+        valid: false,
+        signature: false,
+        merkleRoot: false,
+        txCount: true,
+        transactions: [true],
+        invalidTransactions: []
+      })
+    })
+
+    it('заголовок без подписи', function () {
+      const block = newSignedBlock()
+      const unsigned = new umi.Block()
+      unsigned.header
+        .setVersion(umi.BlockHeader.Basic)
+        .setPreviousBlockHash(new Uint8Array(32))
+        .setMerkleRoot(block.header.merkleRoot)
+        .setTxCount(3)
+      block.transactions.forEach(function (tx) { unsigned.appendTransaction(tx) })
+      const actual = unsigned.verify()
+
+      assert.isFalse(actual.valid)
+      assert.isFalse(actual.signature)
+      assert.isTrue(actual.merkleRoot)
+      assert.isTrue(actual.txCount)
+      assert.deepEqual(actual.invalidTransactions, [])
+    })
+
+    it('корректный блок', function () {
+      const actual = new umi.Block(newSignedBlock().bytes).verify()
+      assert.deepEqual(actual, {
+        valid: true,
+        signature: true,
+        merkleRoot: true,
+        txCount: true,
+        transactions: [true, true, true],
+        invalidTransactions: []
+      })
+    })
+
+    it('подделанная транзакция', function () {
+      const bytes = newSignedBlock().bytes
+      bytes[umi.BlockHeader.LENGTH + umi.Transaction.LENGTH + 100] ^= 1
+      const actual = new umi.Block(bytes).verify()
+
+      assert.isFalse(actual.valid)
+      assert.isTrue(actual.signature)
+      assert.isFalse(actual.merkleRoot)
+      assert.deepEqual(actual.transactions, [true, false, true])
+      assert.deepEqual(actual.invalidTransactions, [1])
+    })
+
+    it('подделанный заголовок', function () {
+      const bytes = newSignedBlock().bytes
+      bytes[66] ^= 1
+      const actual = new umi.Block(bytes).verify()
+
+      assert.isFalse(actual.valid)
+      assert.isFalse(actual.signature)
+      assert.isTrue(actual.merkleRoot)
+      assert.deepEqual(actual.invalidTransactions, [])
+    })
+
+    it('некорректный корень дерева Меркла', function () {
+      const block = newSignedBlock()
+      block.header.setMerkleRoot(new Uint8Array(32)).sign(secKey)
+      const actual = block.verify()
+
+      assert.isFalse(actual.valid)
+      assert.isTrue(actual.signature)
+      assert.isFalse(actual.merkleRoot)
+    })
+
+    it('некорректное количество транзакций', function () {
+      const block = newSignedBlock()
+      block.header.setTxCount(4).sign(secKey)
+      const actual = block.verify()
+
+      assert.isFalse(actual.valid)
+      assert.isTrue(actual.signature)
+      assert.isFalse(actual.txCount)
+    })
+  })
+
+  describe('verifyAsync', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const block = new umi.Block()
+    block.header
+      .setVersion(umi.BlockHeader.Basic)
+      .setPreviousBlockHash(new Uint8Array(32))
+    block.appendTransaction(newTransaction(1)).appendTransaction(newTransaction(2)).sign(secKey)
+
+    it('возвращяет тот же результат, что и verify()', function () {
+      const bytes = block.bytes
+      bytes[umi.BlockHeader.LENGTH + 100] ^= 1
+      const tests = [new umi.Block(block.bytes), new umi.Block(bytes)]
+      return Promise.all(tests.map(function (b) { return b.verifyAsync() })).then(function (actual) {
+        assert.deepEqual(actual, tests.map(function (b) { return b.verify() }))
+        assert.deepEqual(actual[1].invalidTransactions, [0])
+      })
+    })
+
+    it('не подписанный заголовок', function () {
+      const unsigned = new umi.Block().appendTransaction(newTransaction(1))
+      return unsigned.verifyAsync().then(function (actual) {
+        assert.deepEqual(actual, unsigned.verify())
+        assert.isFalse(actual.signature)
+        assert.deepEqual(actual.transactions, [true])
+      })
+    })
+  })
+
+  describe('parse', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const blocks = [0, 1, 3].map(function (count) {
+      const block = new umi.Block()
+      block.header
+        .setVersion(umi.BlockHeader.Basic)
+        .setPreviousBlockHash(new Uint8Array(32))
+        .setTimestamp(1593536400)
+      for (let i = 1; i <= count; i++) {
+        block.appendTransaction(newTransaction(i))
+      }
+      return block.sign(secKey).bytes
+    })
+    const stream = new Uint8Array(blocks.reduce(function (len, b) {
+      return len + b.byteLength
+    }, 0))
+    blocks.reduce(function (pos, b) {
+      stream.set(b, pos)
+      return pos + b.byteLength
+    }, 0)
+
+    function split (bytes, size) {
+      const chunks = []
+      for (let i = 0; i < bytes.byteLength; i += size) {
+        chunks.push(bytes.subarray(i, i + size))
+      }
+      return chunks
+    }
+
+    function collect (iterator) {
+      const result = []
+      function next () {
+        return iterator.next().then(function (res) {
+          if (res.done) {
+            return result
+          }
+          result.push(res.value.bytes)
+          return next()
+        })
+      }
+      return next()
+    }
+
+    function asyncIterable (chunks) {
+      let i = 0
+      return {
+        next: function () {
+          return Promise.resolve(i < chunks.length
+            ? { value: chunks[i++], done: false }
+            : { value: undefined, done: true })
+        }
+      }
+    }
+
+    it('возвращяет ошибку если передать не итерируемый объект', function () {
+      assert.throws(function () { umi.Block.parse({}) }, Error)
+      assert.throws(function () { umi.Block.parse(null) }, Error)
+    })
+
+    const sizes = [1, 7, 150, 167, 1000, stream.byteLength]
+    sizes.forEach(function (size) {
+      it('разбирает блоки из чанков по ' + size + ' байт', function () {
+        return collect(umi.Block.parse(split(stream, size))).then(function (actual) {
+          assert.deepEqual(actual, blocks)
+        })
+      })
+    })
+
+    it('разбирает асинхронный источник', function () {
+      if (typeof Symbol.asyncIterator !== 'symbol') {
+        this.skip()
+      }
+      const source = asyncIterable(split(stream, 33))
+      source[Symbol.asyncIterator] = function () { return source }
+      return collect(umi.Block.parse(source)).then(function (actual) {
+        assert.deepEqual(actual, blocks)
+      })
+    })
+
+    it('возвращяет ошибку если поток оборвался посреди блока', function () {
+      const chunks = split(stream.subarray(0, stream.byteLength - 1), 100)
+      return collect(umi.Block.parse(chunks)).then(function () {
+        assert.fail('expected error')
+      }, function (e) {
+        assert.match(e.message, /unexpected end of stream/)
+      })
+    })
+
+    it('возвращяет ошибку если чанк не Uint8Array', function () {
+      return collect(umi.Block.parse(['abc'])).then(function () {
+        assert.fail('expected error')
+      }, function (e) {
+        assert.match(e.message, /Uint8Array/)
+      })
+    })
+
+    it('return() закрывает источник', function () {
+      let closed = false
+      const source = asyncIterable(split(stream, 50))
+      source.return = function () {
+        closed = true
+        return Promise.resolve({ done: true })
+      }
+      const iterator = umi.Block.parse({ [Symbol.iterator]: function () { return source } })
+      return iterator.next().then(function (res) {
+        assert.deepEqual(res.value.bytes, blocks[0])
+        return iterator.return()
+      }).then(function (res) {
+        assert.isTrue(res.done)
+        assert.isTrue(closed)
+        return iterator.next()
+      }).then(function (res) {
+        assert.isTrue(res.done)
+      })
+    })
+
+    if (typeof window === 'undefined') {
+      describe('readStream', function () {
+        const Readable = require('stream').Readable
+        const EventEmitter = require('events').EventEmitter
+
+        it('возвращяет ошибку если передать не поток', function () {
+          assert.throws(function () { umi.Block.readStream([]) }, Error)
+        })
+
+        it('читает блоки из stream.Readable', function () {
+          const chunks = split(stream, 64).map(function (c) {
+            return Buffer.from(c)
+          })
+          const readable = new Readable({
+            read: function () {
+              this.push(chunks.length > 0 ? chunks.shift() : null)
+            }
+          })
+          return collect(umi.Block.readStream(readable)).then(function (actual) {
+            assert.deepEqual(actual.map(function (b) { return new Uint8Array(b) }), blocks)
+          })
+        })
+
+        describe('поток без Symbol.asyncIterator', function () {
+          function newEmitter (chunks, error) {
+            const emitter = new EventEmitter()
+            emitter.destroyed = false
+            emitter.pause = function () { this.paused = true }
+            emitter.resume = function () {
+              const self = this
+              self.paused = false
+              setTimeout(function () {
+                while (!self.paused && chunks.length > 0) {
+                  self.emit('data', chunks.shift())
+                }
+                if (chunks.length === 0) {
+                  self.emit(error ? 'error' : 'end', error)
+                }
+              }, 0)
+            }
+            emitter.destroy = function () { this.destroyed = true }
+            return emitter
+          }
+
+          it('читает блоки', function () {
+            const emitter = newEmitter(split(stream, 100))
+            return collect(umi.Block.readStream(emitter)).then(function (actual) {
+              assert.deepEqual(actual, blocks)
+            })
+          })
+
+          it('передает ошибку потока', function () {
+            const emitter = newEmitter(split(stream, 100), new Error('boom'))
+            return collect(umi.Block.readStream(emitter)).then(function () {
+              assert.fail('expected error')
+            }, function (e) {
+              assert.strictEqual(e.message, 'boom')
+            })
+          })
+
+          it('return() закрывает поток', function () {
+            const emitter = newEmitter(split(stream, 100))
+            const iterator = umi.Block.readStream(emitter)
+            return iterator.next().then(function () {
+              return iterator.return()
+            }).then(function (res) {
+              assert.isTrue(res.done)
+              assert.isTrue(emitter.destroyed)
+            })
+          })
+        })
+      })
+    }
+  })
+})
@@ -0,0 +1,181 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('BlockHeader', function () {
+  describe('new BlockHeader()', function () {
+    describe('возвращяет ошибку если передать', function () {
+      const len = umi.BlockHeader.LENGTH
+      const tests = [
+        { desc: 'число', args: len },
+        { desc: 'массив', args: new Array(len) },
+        { desc: 'слишком короткий Uint8Array', args: new Uint8Array(len - 1) },
+        { desc: 'слишком длинный Uint8Array', args: new Uint8Array(len + 1) }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () {
+            return new umi.BlockHeader(test.args)
+          }, Error)
+        })
+      })
+    })
+  })
+
+  describe('bytes', function () {
+    it('возвращяет Uint8Array длиной 167 байт', function () {
+      const expected = new Uint8Array(167)
+      expected[70] = 7
+      const actual = new umi.BlockHeader(expected)
+
+      assert.deepEqual(actual.bytes, expected)
+      assert.strictEqual(actual.txCount, 7)
+    })
+  })
+
+  const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+  function newHeader () {
+    return new umi.BlockHeader()
+      .setVersion(umi.BlockHeader.Basic)
+      .setPreviousBlockHash(new Uint8Array(32).fill(1))
+      .setMerkleRoot(new Uint8Array(32).fill(2))
+      .setTimestamp(1593536400)
+      .setTxCount(3)
+  }
+
+  describe('константы', function () {
+    const tests = [
+      { args: 'LENGTH', expected: 167 },
+      { args: 'Genesis', expected: 0 },
+      { args: 'Basic', expected: 1 }
+    ]
+
+    tests.forEach(function (test) {
+      it(test.args, function () {
+        assert.strictEqual(umi.BlockHeader[test.args], test.expected)
+      })
+    })
+  })
+
+  describe('возвращяет ошибку если запросить не установленное поле', function () {
+    const fields = [
+      'version', 'previousBlockHash', 'merkleRoot', 'timestamp', 'txCount',
+      'publicKey', 'signature'
+    ]
+
+    fields.forEach(function (field) {
+      it(field, function () {
+        const header = new umi.BlockHeader()
+        assert.throws(function () { return header[field] }, Error)
+      })
+    })
+  })
+
+  describe('возвращяет ошибку если передать', function () {
+    const tests = [
+      { desc: 'version строкой', field: 'version', args: '1' },
+      { desc: 'version float', field: 'version', args: 0.5 },
+      { desc: 'неподдерживаемую version', field: 'version', args: 2 },
+      { desc: 'previousBlockHash массивом', field: 'previousBlockHash', args: [] },
+      {
+        desc: 'previousBlockHash неверной длины',
+        field: 'previousBlockHash',
+        args: new Uint8Array(31)
+      },
+      { desc: 'merkleRoot строкой', field: 'merkleRoot', args: 'a' },
+      { desc: 'merkleRoot неверной длины', field: 'merkleRoot', args: new Uint8Array(33) },
+      { desc: 'timestamp строкой', field: 'timestamp', args: '1' },
+      { desc: 'timestamp float', field: 'timestamp', args: 1.5 },
+      { desc: 'отрицательный timestamp', field: 'timestamp', args: -1 },
+      { desc: 'слишком большой timestamp', field: 'timestamp', args: 4294967296 },
+      { desc: 'txCount строкой', field: 'txCount', args: '1' },
+      { desc: 'txCount float', field: 'txCount', args: 1.5 },
+      { desc: 'слишком большой txCount', field: 'txCount', args: 65536 },
+      { desc: 'publicKey типа Uint8Array', field: 'publicKey', args: new Uint8Array(32) },
+      { desc: 'signature неверной длины', field: 'signature', args: new Uint8Array(63) }
+    ]
+
+    tests.forEach(function (test) {
+      it(test.desc, function () {
+        const header = new umi.BlockHeader()
+        assert.throws(function () { header[test.field] = test.args }, Error)
+      })
+    })
+  })
+
+  describe('устанавливает', function () {
+    it('все поля', function () {
+      const pubKey = secKey.publicKey
+      const sig = new Uint8Array(64).fill(3)
+      const header = newHeader().setPublicKey(pubKey).setSignature(sig)
+
+      assert.strictEqual(header.version, umi.BlockHeader.Basic)
+      assert.deepEqual(header.previousBlockHash, new Uint8Array(32).fill(1))
+      assert.deepEqual(header.merkleRoot, new Uint8Array(32).fill(2))
+      assert.strictEqual(header.timestamp, 1593536400)
+      assert.strictEqual(header.txCount, 3)
+      assert.deepEqual(header.publicKey.bytes, pubKey.bytes)
+      assert.deepEqual(header.signature, sig)
+    })
+
+    it('поля сохраняются в бинарном виде', function () {
+      const bytes = newHeader().bytes
+      const actual = new umi.BlockHeader(bytes)
+
+      assert.strictEqual(bytes[0], 1)
+      assert.strictEqual(actual.timestamp, 1593536400)
+      assert.strictEqual(actual.txCount, 3)
+    })
+  })
+
+  describe('hash', function () {
+    it('возвращяет корректный хэш', function () {
+      const expected = new Uint8Array([
+        13, 17, 244, 36, 142, 103, 2, 148, 135, 69, 199, 112, 46, 28, 154, 174,
+        255, 152, 63, 244, 88, 80, 34, 255, 13, 6, 90, 239, 179, 201, 197, 219
+      ])
+      const actual = new umi.BlockHeader(new Uint8Array(167)).hash
+
+      assert.deepEqual(actual, expected)
+    })
+  })
+
+  describe('sign', function () {
+    it('возвращяет ошибку если не заданы обязательные поля', function () {
+      const header = new umi.BlockHeader().setVersion(umi.BlockHeader.Basic)
+      assert.throws(function () { header.sign(secKey) }, Error)
+    })
+
+    it('возвращяет ошибку если передать не SecretKey', function () {
+      const header = newHeader()
+      assert.throws(function () { header.sign(new Uint8Array(64)) }, Error)
+    })
+
+    it('устанавливает публичный ключ и подпись', function () {
+      const header = newHeader().sign(secKey)
+      assert.deepEqual(header.publicKey.bytes, secKey.publicKey.bytes)
+      assert.strictEqual(header.signature.byteLength, 64)
+    })
+  })
+
+  describe('verify', function () {
+    it('возвращяет ошибку если заголовок не подписан', function () {
+      assert.throws(function () { newHeader().verify() }, Error)
+    })
+
+    it('возвращяет true для корректной подписи', function () {
+      const bytes = newHeader().sign(secKey).bytes
+      assert.isTrue(new umi.BlockHeader(bytes).verify())
+    })
+
+    it('возвращяет false если заголовок был изменен', function () {
+      const header = newHeader().sign(secKey).setTimestamp(1593536401)
+      assert.isFalse(header.verify())
+    })
+  })
+})
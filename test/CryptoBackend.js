@@ -0,0 +1,169 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('CryptoBackend', function () {
+  afterEach(function () {
+    umi.CryptoBackend.use('auto')
+  })
+
+  describe('use()', function () {
+    it('выбирает бэкенд js', function () {
+      assert.strictEqual(umi.CryptoBackend.use('js'), 'js')
+      assert.strictEqual(umi.CryptoBackend.current, 'js')
+    })
+
+    it('auto выбирает первый доступный бэкенд', function () {
+      const expected = umi.CryptoBackend.available[0]
+      assert.strictEqual(umi.CryptoBackend.use('auto'), expected)
+      assert.strictEqual(umi.CryptoBackend.current, expected)
+    })
+
+    it('выбирает любой доступный бэкенд', function () {
+      const available = umi.CryptoBackend.available
+      assert.strictEqual(available[available.length - 1], 'js')
+      available.forEach(function (backend) {
+        assert.strictEqual(umi.CryptoBackend.use(backend), backend)
+      })
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const tests = [
+        { desc: 'бэкенд неизвестен', args: 'openssl', error: /unknown/ },
+        { desc: 'бэкенд не задан', args: undefined, error: /unknown/ }
+      ]
+      if (umi.CryptoBackend.available.indexOf('node') === -1) {
+        tests.push({ desc: 'бэкенд недоступен', args: 'node', error: /not available/ })
+      }
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.CryptoBackend.use(test.args) }, test.error)
+        })
+      })
+    })
+  })
+
+  describe('бэкенды возвращают одинаковые байты', function () {
+    const backends = umi.CryptoBackend.available
+
+    function addL (signature) {
+      const L = [
+        0xed, 0xd3, 0xf5, 0x5c, 0x1a, 0x63, 0x12, 0x58,
+        0xd6, 0x9c, 0xf7, 0xa2, 0xde, 0xf9, 0xde, 0x14,
+        0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0x10
+      ]
+      const sig = new Uint8Array(signature)
+      let carry = 0
+      for (let i = 0; i < 32; i++) {
+        carry += sig[32 + i] + L[i]
+        sig[32 + i] = carry & 0xff
+        carry >>= 8
+      }
+      return sig
+    }
+
+    function run () {
+      const results = []
+      for (let i = 0; i < 4; i++) {
+        const key = umi.SecretKey.fromSeed(new Uint8Array(32).fill(i * 50))
+        const message = new Uint8Array(i * 100).fill(i)
+        const signature = key.sign(message)
+        const tampered = new Uint8Array(signature)
+        tampered[0] ^= 1
+        const tx = new umi.Transaction()
+          .setVersion(umi.Transaction.Basic)
+          .setSender(umi.Address.fromKey(key))
+          .setRecipient(umi.Address.fromKey(key))
+          .setValue(i + 1)
+          .sign(key)
+        results.push(
+          key.bytes,
+          signature,
+          key.signPh(message),
+          tx.hash,
+          umi.SecretKey.fromSeed(new Uint8Array(64 + i).fill(i)).bytes,
+          key.publicKey.verifySignature(signature, message),
+          key.publicKey.verifySignature(tampered, message),
+          key.publicKey.verifySignature(addL(signature), message),
+          umi.PublicKey.verifyBatch([
+            { publicKey: key.publicKey, signature: signature, message: message },
+            { publicKey: key.publicKey, signature: tampered, message: message },
+            { publicKey: key.publicKey, signature: addL(signature), message: message }
+          ])
+        )
+      }
+      return results
+    }
+
+    it('ключи, подписи, хэши и результаты проверки', function () {
+      const expected = backends.map(function (backend) {
+        umi.CryptoBackend.use(backend)
+        return run()
+      })
+      expected.forEach(function (results) {
+        assert.deepEqual(results, expected[0])
+      })
+    })
+
+    it('ключи и подписи для разных seed', function () {
+      const expected = backends.map(function (backend) {
+        umi.CryptoBackend.use(backend)
+        const results = []
+        for (let i = 0; i < 64; i++) {
+          const seed = new Uint8Array(32).map(function (_, j) { return (i * 37 + j * 101) & 0xff })
+          const key = umi.SecretKey.fromSeed(seed)
+          results.push(key.bytes, key.sign(seed))
+        }
+        return results
+      })
+      expected.forEach(function (results) {
+        assert.deepEqual(results, expected[0])
+      })
+    })
+
+    it('ключ с несовпадающими половинами', function () {
+      const bytes = umi.SecretKey.fromSeed(new Uint8Array(32)).bytes
+      bytes.set(umi.SecretKey.fromSeed(new Uint8Array(32).fill(1)).publicKey.bytes, 32)
+      const key = new umi.SecretKey(bytes)
+      const message = new Uint8Array([1, 2, 3])
+      const expected = backends.map(function (backend) {
+        umi.CryptoBackend.use(backend)
+        return key.sign(message)
+      })
+      expected.forEach(function (signature) {
+        assert.deepEqual(signature, expected[0])
+      })
+    })
+
+    it('signAsync возвращает ту же подпись, что и sign()', function () {
+      const keys = [
+        umi.SecretKey.fromSeed(new Uint8Array(32)),
+        new umi.SecretKey(new Uint8Array(64).fill(7))
+      ]
+      const message = new Uint8Array([1, 2, 3])
+      umi.CryptoBackend.use('js')
+      const expected = keys.map(function (key) { return key.sign(message) })
+      return backends.reduce(function (promise, backend) {
+        return promise.then(function () {
+          umi.CryptoBackend.use(backend)
+          return Promise.all(keys.map(function (key) { return key.signAsync(message) }))
+        }).then(function (actual) {
+          assert.deepEqual(actual, expected)
+        })
+      }, Promise.resolve())
+    })
+
+    it('подпись с s + L некорректна', function () {
+      backends.forEach(function (backend) {
+        umi.CryptoBackend.use(backend)
+        const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+        const message = new Uint8Array(1)
+        assert.isFalse(key.publicKey.verifySignature(addL(key.sign(message)), message))
+      })
+    })
+  })
+})
@@ -0,0 +1,110 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('HeaderChain', function () {
+  const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+  function newHeader (prev, timestamp) {
+    return new umi.BlockHeader()
+      .setVersion(prev ? umi.BlockHeader.Basic : umi.BlockHeader.Genesis)
+      .setPreviousBlockHash(prev ? prev.hash : new Uint8Array(32))
+      .setMerkleRoot(new Uint8Array(32))
+      .setTimestamp(timestamp)
+      .setTxCount(0)
+      .sign(secKey)
+  }
+
+  function newHeaders (count) {
+    const headers = []
+    for (let i = 0; i < count; i++) {
+      headers.push(newHeader(headers[i - 1], 1593536400 + i))
+    }
+    return headers
+  }
+
+  describe('new HeaderChain()', function () {
+    it('возвращяет ошибку если передать не BlockHeader', function () {
+      assert.throws(function () {
+        return new umi.HeaderChain(new Uint8Array(167))
+      }, Error)
+    })
+
+    it('создает пустую цепочку', function () {
+      const chain = new umi.HeaderChain()
+      assert.strictEqual(chain.length, 0)
+      assert.throws(function () { return chain.tip }, Error)
+    })
+
+    it('создает цепочку от доверенного заголовка', function () {
+      const checkpoint = new umi.BlockHeader(newHeaders(1)[0].bytes)
+        .setSignature(new Uint8Array(64))
+      const next = newHeader(checkpoint, 1593536401)
+      const chain = new umi.HeaderChain(checkpoint).append(next)
+
+      assert.strictEqual(chain.length, 2)
+      assert.deepEqual(chain.tip.bytes, next.bytes)
+    })
+  })
+
+  describe('append', function () {
+    it('принимает корректную цепочку', function () {
+      const headers = newHeaders(5)
+      const chain = new umi.HeaderChain()
+      headers.forEach(function (header) { chain.append(header) })
+
+      assert.strictEqual(chain.length, 5)
+      assert.deepEqual(chain.tip.hash, headers[4].hash)
+      assert.deepEqual(chain.headers.map(function (h) { return h.bytes }),
+        headers.map(function (h) { return h.bytes }))
+    })
+
+    it('принимает блоки с одинаковым временем создания', function () {
+      const first = newHeader(undefined, 1593536400)
+      const second = newHeader(first, 1593536400)
+      assert.strictEqual(new umi.HeaderChain().append(first).append(second).length, 2)
+    })
+
+    describe('возвращяет ошибку если', function () {
+      it('передать не BlockHeader', function () {
+        assert.throws(function () { new umi.HeaderChain().append({}) }, Error)
+      })
+
+      it('подпись заголовка некорректна', function () {
+        const header = newHeaders(1)[0].setTimestamp(1)
+        assert.throws(function () {
+          new umi.HeaderChain().append(header)
+        }, /invalid signature/)
+      })
+
+      it('хэш предыдущего блока не совпадает', function () {
+        const headers = newHeaders(3)
+        const chain = new umi.HeaderChain().append(headers[0])
+        assert.throws(function () {
+          chain.append(headers[2])
+        }, /header 1: previousBlockHash/)
+        assert.strictEqual(chain.length, 1)
+      })
+
+      it('время создания блока меньше предыдущего', function () {
+        const first = newHeader(undefined, 1593536400)
+        const second = newHeader(first, 1593536399)
+        assert.throws(function () {
+          new umi.HeaderChain().append(first).append(second)
+        }, /timestamp/)
+      })
+    })
+  })
+
+  describe('заголовки нельзя изменить снаружи', function () {
+    it('tip и headers возвращяют копии', function () {
+      const chain = new umi.HeaderChain().append(newHeaders(1)[0])
+      chain.tip.setTimestamp(1)
+      chain.headers[0].setTimestamp(1)
+      assert.strictEqual(chain.tip.timestamp, 1593536400)
+    })
+  })
+})
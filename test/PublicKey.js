@@ -0,0 +1,391 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('PublicKey', function () {
+  const pubKey = umi.SecretKey.fromSeed(new Uint8Array(32)).publicKey
+
+  describe('hex и base64', function () {
+    const hex = '3b6a27bcceb6a42d62a3a8d02a6f0d73653215771de243a63ac048a18b59da29'
+    const base64 = 'O2onvM62pC1io6jQKm8Nc2UyFXcd4kOmOsBIoYtZ2ik='
+
+    it('toHex', function () {
+      assert.strictEqual(pubKey.toHex(), hex)
+    })
+
+    it('toBase64', function () {
+      assert.strictEqual(pubKey.toBase64(), base64)
+    })
+
+    it('fromHex', function () {
+      assert.deepEqual(umi.PublicKey.fromHex(hex).bytes, pubKey.bytes)
+    })
+
+    it('fromBase64', function () {
+      assert.deepEqual(umi.PublicKey.fromBase64(base64).bytes, pubKey.bytes)
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'hex неверной длины', fn: 'fromHex', args: hex + '00' },
+        { desc: 'base64 неверной длины', fn: 'fromBase64', args: 'AAAA' }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.PublicKey[test.fn](test.args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('PEM и JWK', function () {
+    // RFC 8410, раздел 10.1
+    const pem = '-----BEGIN PUBLIC KEY-----\n' +
+      'MCowBQYDK2VwAyEAGb9ECWmEzf6FQbrBZ9w7lshQhqowtrbLDFw4rXAxZuE=\n' +
+      '-----END PUBLIC KEY-----\n'
+    const hex = '19bf44096984cdfe8541bac167dc3b96c85086aa30b6b6cb0c5c38ad703166e1'
+    const jwk = { kty: 'OKP', crv: 'Ed25519', x: 'Gb9ECWmEzf6FQbrBZ9w7lshQhqowtrbLDFw4rXAxZuE' }
+
+    it('toPem', function () {
+      assert.strictEqual(umi.PublicKey.fromHex(hex).toPem(), pem)
+    })
+
+    it('fromPem', function () {
+      assert.strictEqual(umi.PublicKey.fromPem(pem).toHex(), hex)
+      assert.strictEqual(umi.PublicKey.fromPem(pem.replace(/\n/g, '\r\n')).toHex(), hex)
+    })
+
+    it('toJwk', function () {
+      assert.deepEqual(umi.PublicKey.fromHex(hex).toJwk(), jwk)
+    })
+
+    it('fromJwk', function () {
+      assert.strictEqual(umi.PublicKey.fromJwk(jwk).toHex(), hex)
+      assert.strictEqual(umi.PublicKey.fromJwk(JSON.stringify(jwk)).toHex(), hex)
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'PEM не строку', fn: 'fromPem', args: new Uint8Array(44) },
+        { desc: 'строку без PEM', fn: 'fromPem', args: 'MCowBQYDK2VwAyEAGb9E' },
+        { desc: 'PEM приватного ключа', fn: 'fromPem', args: pem.replace(/PUBLIC/g, 'PRIVATE') },
+        { desc: 'PEM ключа RSA', fn: 'fromPem', args: pem.replace('K2VwAyEA', 'K2VxAyEA') },
+        { desc: 'PEM неверной длины', fn: 'fromPem', args: pem.replace('MCowBQ', 'MCsBQ') },
+        { desc: 'JWK с kty RSA', fn: 'fromJwk', args: { kty: 'RSA', crv: 'Ed25519', x: jwk.x } },
+        { desc: 'JWK с crv X25519', fn: 'fromJwk', args: { kty: 'OKP', crv: 'X25519', x: jwk.x } },
+        { desc: 'JWK без x', fn: 'fromJwk', args: { kty: 'OKP', crv: 'Ed25519' } },
+        { desc: 'JWK с x неверной длины', fn: 'fromJwk', args: { kty: 'OKP', crv: 'Ed25519', x: 'AAAA' } },
+        { desc: 'JWK с x в base64', fn: 'fromJwk', args: { kty: 'OKP', crv: 'Ed25519', x: jwk.x + '=' } },
+        { desc: 'некорректный JSON', fn: 'fromJwk', args: '{"kty":' },
+        { desc: 'JWK null', fn: 'fromJwk', args: null }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.PublicKey[test.fn](test.args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('OpenSSH', function () {
+    const line = 'ssh-ed25519 AAAAC3NzaC1lZDI1NTE5AAAAIDtqJ7zOtqQtYqOo0CpvDXNlMhV3HeJDpjrASKGLWdop'
+
+    it('toOpenSsh', function () {
+      assert.strictEqual(pubKey.toOpenSsh(), line)
+      assert.strictEqual(pubKey.toOpenSsh('user@host'), line + ' user@host')
+    })
+
+    it('fromOpenSsh', function () {
+      assert.deepEqual(umi.PublicKey.fromOpenSsh(line).bytes, pubKey.bytes)
+      assert.deepEqual(umi.PublicKey.fromOpenSsh('  ' + line + ' user@host\n').bytes, pubKey.bytes)
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'не строку', fn: 'fromOpenSsh', args: 1 },
+        { desc: 'ключ RSA', fn: 'fromOpenSsh', args: line.replace('ssh-ed25519', 'ssh-rsa') },
+        { desc: 'строку без ключа', fn: 'fromOpenSsh', args: 'ssh-ed25519' },
+        { desc: 'ключ с другим типом внутри', fn: 'fromOpenSsh', args: line.replace('AAAAC3NzaC1lZDI1NTE5', 'AAAAC3NzaC1lZDI1NTE4') },
+        { desc: 'обрезанный ключ', fn: 'fromOpenSsh', args: line.slice(0, -4) },
+        { desc: 'многострочный комментарий', fn: 'toOpenSsh', args: 'a\nb' },
+        { desc: 'комментарий не строку', fn: 'toOpenSsh', args: 1 }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () {
+            test.fn === 'toOpenSsh' ? pubKey.toOpenSsh(test.args) : umi.PublicKey[test.fn](test.args)
+          }, Error)
+        })
+      })
+    })
+  })
+
+  describe('verifyJwt', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const token = secKey.signJwt({ sub: 'user', nbf: 1600000000, exp: 1600003600 })
+    const now = 1600001800
+
+    it('возвращяет payload', function () {
+      assert.deepEqual(pubKey.verifyJwt(token, { now: now }), { sub: 'user', nbf: 1600000000, exp: 1600003600 })
+    })
+
+    it('проверяет токен без exp и nbf', function () {
+      assert.deepEqual(pubKey.verifyJwt(secKey.signJwt({ sub: 'user' })), { sub: 'user' })
+    })
+
+    it('учитывает clockTolerance', function () {
+      assert.strictEqual(pubKey.verifyJwt(token, { now: 1600003610, clockTolerance: 30 }).sub, 'user')
+      assert.strictEqual(pubKey.verifyJwt(token, { now: 1599999990, clockTolerance: 30 }).sub, 'user')
+    })
+
+    it('проверяет подпись по RFC 8037, A.4', function () {
+      const key = umi.PublicKey.fromHex('d75a980182b10ab7d54bfed3c964073a0ee172f3daa62325af021a68f707511a')
+      const jws = 'eyJhbGciOiJFZERTQSJ9.RXhhbXBsZSBvZiBFZDI1NTE5IHNpZ25pbmc.' +
+        'hgyY0il_MGCjP0JzlnLWG1PPOt7-09PGcvMg3AIbQR6dWbhijcNR4ki4iylGjg5BhVsPt9g7sVvpAr_MuM0KAg'
+      // подпись корректна, но payload не является JSON-объектом
+      assert.throws(function () { key.verifyJwt(jws) }, /payload/)
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const parts = token.split('.')
+      const none = umi.SecretKey.fromSeed(new Uint8Array(32)).signJwt({ sub: 'user' }).split('.')
+      const tests = [
+        { desc: 'токен истек', args: [token, { now: 1600003600 }], re: /expired/ },
+        { desc: 'токен еще не действует', args: [token, { now: 1599999999 }], re: /not yet valid/ },
+        { desc: 'токен не строка', args: [1], re: /type/ },
+        { desc: 'токен из двух частей', args: [parts[0] + '.' + parts[1]], re: /three parts/ },
+        { desc: 'изменен payload', args: [parts[0] + '.' + none[1] + '.' + parts[2], { now: now }], re: /signature/ },
+        {
+          desc: 'подписан другим ключом',
+          args: [umi.SecretKey.fromSeed(new Uint8Array(32).fill(1)).signJwt({}), { now: now }],
+          re: /signature/
+        },
+        { desc: 'alg none', args: ['eyJhbGciOiJub25lIn0.' + parts[1] + '.'], re: /alg/ },
+        {
+          desc: 'в заголовке crit',
+          args: [secKey.signJwt({}, { crit: ['b64'], b64: false })],
+          re: /crit/
+        },
+        { desc: 'заголовок не JSON', args: ['e30x.' + parts[1] + '.' + parts[2]], re: /header/ },
+        { desc: 'exp не число', args: [secKey.signJwt({ exp: '1' })], re: /exp/ },
+        { desc: 'nbf не число', args: [secKey.signJwt({ nbf: '1' })], re: /nbf/ },
+        { desc: 'подпись неверной длины', args: [parts[0] + '.' + parts[1] + '.AAAA'], re: /signature/ }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { pubKey.verifyJwt.apply(pubKey, test.args) }, test.re)
+        })
+      })
+    })
+  })
+
+  describe('verifySignatureCtx и verifySignaturePh', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const message = new Uint8Array([1, 2, 3])
+    const ctxSig = secKey.signCtx(message, 'foo')
+    const phSig = secKey.signPh(message, 'foo')
+
+    it('принимает корректные подписи', function () {
+      assert.isTrue(pubKey.verifySignatureCtx(ctxSig, message, 'foo'))
+      assert.isTrue(pubKey.verifySignaturePh(phSig, message, 'foo'))
+      assert.isTrue(pubKey.verifySignaturePh(secKey.signPh(message), message))
+    })
+
+    it('отклоняет подпись с другим контекстом', function () {
+      assert.isFalse(pubKey.verifySignatureCtx(ctxSig, message, 'bar'))
+      assert.isFalse(pubKey.verifySignaturePh(phSig, message, 'bar'))
+      assert.isFalse(pubKey.verifySignaturePh(phSig, message))
+    })
+
+    it('отклоняет подпись другого варианта', function () {
+      assert.isFalse(pubKey.verifySignature(ctxSig, message))
+      assert.isFalse(pubKey.verifySignaturePh(ctxSig, message, 'foo'))
+      assert.isFalse(pubKey.verifySignatureCtx(phSig, message, 'foo'))
+    })
+
+    it('отклоняет подпись другого сообщения', function () {
+      assert.isFalse(pubKey.verifySignaturePh(phSig, new Uint8Array([1, 2, 4]), 'foo'))
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'пустой контекст', fn: function () { pubKey.verifySignatureCtx(ctxSig, message, '') } },
+        { desc: 'подпись неверной длины', fn: function () { pubKey.verifySignaturePh(new Uint8Array(63), message) } },
+        { desc: 'сообщение строкой', fn: function () { pubKey.verifySignaturePh(phSig, 'abc') } }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(test.fn, Error)
+        })
+      })
+    })
+  })
+
+  describe('toX25519', function () {
+    it('совпадает с crypto_sign_ed25519_pk_to_curve25519', function () {
+      assert.deepEqual(pubKey.toX25519(),
+        umi.PublicKey.fromHex('5bf55c73b82ebe22be80f3430667af570fae2556a6415e6b30d4065300aa947d').bytes)
+    })
+
+    it('возвращяет ошибку если ключ не является точкой кривой', function () {
+      const key = umi.PublicKey.fromHex('0200000000000000000000000000000000000000000000000000000000000000')
+      assert.throws(function () { key.toX25519() }, /curve point/)
+    })
+  })
+
+  describe('verifyBatch', function () {
+    const items = []
+    for (let i = 0; i < 9; i++) {
+      const key = umi.SecretKey.fromSeed(new Uint8Array(32).fill(i))
+      const message = new Uint8Array(i * 10).fill(i)
+      items.push({ publicKey: key.publicKey, signature: key.sign(message), message: message })
+    }
+
+    it('возвращает true для корректных подписей', function () {
+      assert.deepEqual(umi.PublicKey.verifyBatch(items), items.map(function () { return true }))
+    })
+
+    it('находит некорректные подписи', function () {
+      const batch = items.map(function (item) { return Object.assign({}, item) })
+      batch[0] = Object.assign({}, batch[0], { publicKey: batch[1].publicKey })
+      batch[4] = Object.assign({}, batch[4], { signature: new Uint8Array(64) })
+      batch[8] = Object.assign({}, batch[8], { signature: new Uint8Array(64).fill(255) })
+      const results = umi.PublicKey.verifyBatch(batch)
+      assert.deepEqual(results, [false, true, true, true, false, true, true, true, false])
+    })
+
+    it('совпадает с verifySignature() для точек малого порядка', function () {
+      const identity = new Uint8Array(32)
+      identity[0] = 1
+      // R - неканоническая запись нейтрального элемента (y = p + 1), s = 0
+      const signature = new Uint8Array(64)
+      signature.fill(0xff, 0, 32)
+      signature[0] = 0xee
+      signature[31] = 0x7f
+      const publicKey = new umi.PublicKey(identity)
+      const batch = [0, 1, 2].map(function (i) {
+        return { publicKey: publicKey, signature: signature, message: new Uint8Array([i]) }
+      })
+      assert.isFalse(publicKey.verifySignature(signature, batch[0].message))
+      assert.deepEqual(umi.PublicKey.verifyBatch(batch), [false, false, false])
+    })
+
+    describe('находит одну некорректную подпись из 16', function () {
+      const batch = []
+      for (let i = 0; i < 16; i++) {
+        const key = umi.SecretKey.fromSeed(new Uint8Array(32).fill(i + 100))
+        const message = new Uint8Array([i])
+        batch.push({ publicKey: key.publicKey, signature: key.sign(message), message: message })
+      }
+
+      afterEach(function () {
+        umi.CryptoBackend.use('auto')
+      })
+
+      umi.CryptoBackend.available.forEach(function (backend) {
+        [0, 5, 15].forEach(function (index) {
+          it(`${backend}, индекс ${index}`, function () {
+            umi.CryptoBackend.use(backend)
+            const corrupted = batch.slice()
+            const signature = new Uint8Array(batch[index].signature)
+            signature[40] ^= 1
+            corrupted[index] = Object.assign({}, batch[index], { signature: signature })
+            const expected = batch.map(function (_, i) { return i !== index })
+            assert.deepEqual(umi.PublicKey.verifyBatch(corrupted), expected)
+          })
+        })
+      })
+    })
+
+    describe('совпадает с verifySignature() для ключа малого порядка', function () {
+      // A - точка порядка 8, R - нейтральный элемент, s = 0:
+      // [8][s]B = [8]R + [8][h]A для любого сообщения
+      const publicKey = umi.PublicKey.fromHex('c7176a703d4dd84fba3c0b760d10670f2a2053fa2c39ccc64ec7fd7792ac037a')
+      const signature = new Uint8Array(64)
+      signature[0] = 1
+      const batch = []
+      for (let i = 0; i < 8; i++) {
+        batch.push({ publicKey: publicKey, signature: signature, message: new Uint8Array([i]) })
+      }
+      // та же точка R со знаковым битом, неканоническая запись
+      const negative = new Uint8Array(signature)
+      negative[31] = 0x80
+
+      afterEach(function () {
+        umi.CryptoBackend.use('auto')
+      })
+
+      umi.CryptoBackend.available.forEach(function (backend) {
+        it(backend, function () {
+          umi.CryptoBackend.use(backend)
+          const expected = batch.map(function (item) {
+            return publicKey.verifySignature(item.signature, item.message)
+          })
+          assert.deepEqual(expected, batch.map(function () { return true }))
+          assert.deepEqual(umi.PublicKey.verifyBatch(batch), expected)
+          assert.isFalse(publicKey.verifySignature(negative, batch[0].message))
+          assert.deepEqual(umi.PublicKey.verifyBatch(batch.map(function (item) {
+            return Object.assign({}, item, { signature: negative })
+          })), batch.map(function () { return false }))
+        })
+      })
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const tests = [
+        { desc: 'передать не массив', args: items[0] },
+        { desc: 'элемент null', args: [null] },
+        { desc: 'publicKey не PublicKey', args: [Object.assign({}, items[0], { publicKey: items[0].publicKey.bytes })] },
+        { desc: 'подпись неверной длины', args: [Object.assign({}, items[0], { signature: new Uint8Array(63) })] },
+        { desc: 'сообщение не Uint8Array', args: [Object.assign({}, items[0], { message: 'abc' })] }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.PublicKey.verifyBatch(test.args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('verifySignatureAsync', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const message = new Uint8Array([1, 2, 3])
+    const signature = key.sign(message)
+
+    it('проверяет так же, как verifySignature()', function () {
+      return Promise.all([
+        key.publicKey.verifySignatureAsync(signature, message),
+        key.publicKey.verifySignatureAsync(signature, new Uint8Array(3))
+      ]).then(function (actual) {
+        assert.deepEqual(actual, [true, false])
+      })
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const tests = [
+        { desc: 'подпись не Uint8Array', args: [[], message], error: /signature type/ },
+        { desc: 'подпись неверной длины', args: [new Uint8Array(63), message], error: /signature length/ },
+        { desc: 'сообщение не Uint8Array', args: [signature, 'abc'], error: /message type/ }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          return key.publicKey.verifySignatureAsync(test.args[0], test.args[1]).then(function () {
+            assert.fail('expected error')
+          }, function (e) {
+            assert.match(e.message, test.error)
+          })
+        })
+      })
+    })
+  })
+})
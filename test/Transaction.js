@@ -1,3 +1,5 @@
+'use strict'
+
 if (typeof window === 'undefined') {
   var umi = require('../')
   var assert = require('chai').assert
@@ -1004,4 +1006,415 @@ describe('Transaction', function () {
       assert.isTrue(tx.verify())
     })
   })
+
+  describe('signAsync и verifyAsync', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+    function newTransaction () {
+      return new umi.Transaction()
+        .setVersion(umi.Transaction.Basic)
+        .setSender(umi.Address.fromKey(key))
+        .setRecipient(umi.Address.fromKey(key))
+        .setValue(42)
+    }
+
+    it('подписывает так же, как sign()', function () {
+      const tx = newTransaction()
+      return tx.signAsync(key).then(function (actual) {
+        assert.strictEqual(actual, tx)
+        assert.deepEqual(actual.signature, newTransaction().sign(key).signature)
+        return actual.verifyAsync()
+      }).then(function (ok) {
+        assert.isTrue(ok)
+      })
+    })
+
+    it('verifyAsync возвращяет false для подделанной транзакции', function () {
+      return newTransaction().sign(key).setValue(43).verifyAsync().then(function (ok) {
+        assert.isFalse(ok)
+      })
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const tests = [
+        { desc: 'ключ не SecretKey', fn: function () { return newTransaction().signAsync(key.bytes) }, error: /SecretKey/ },
+        { desc: 'не задан отправитель', fn: function () { return new umi.Transaction().setVersion(umi.Transaction.Basic).signAsync(key) }, error: /sender/ },
+        { desc: 'транзакция не подписана', fn: function () { return newTransaction().verifyAsync() }, error: /signature/ }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          return test.fn().then(function () {
+            assert.fail('expected error')
+          }, function (e) {
+            assert.match(e.message, test.error)
+          })
+        })
+      })
+    })
+  })
+
+  describe('verifyBatch', function () {
+    function newTransactions (count) {
+      const txs = []
+      for (let i = 0; i < count; i++) {
+        const key = umi.SecretKey.fromSeed(new Uint8Array(32).fill(i))
+        txs.push(new umi.Transaction()
+          .setVersion(umi.Transaction.Basic)
+          .setSender(umi.Address.fromKey(key))
+          .setRecipient(umi.Address.fromKey(key).setPrefix('aaa'))
+          .setValue(i + 1)
+          .sign(key))
+      }
+      return txs
+    }
+
+    const txs = newTransactions(20)
+
+    it('возвращает true для всех корректных транзакций', function () {
+      const results = umi.Transaction.verifyBatch(txs)
+      assert.deepEqual(results, txs.map(function () { return true }))
+    })
+
+    it('находит некорректные транзакции', function () {
+      const batch = txs.slice(0, 8).map(function (tx) { return new umi.Transaction(tx.bytes) })
+      batch[3].setValue(1000)
+      batch[6].setNonce(1)
+      const results = umi.Transaction.verifyBatch(batch)
+      assert.deepEqual(results, [true, true, true, false, true, true, false, true])
+    })
+
+    it('пустой массив', function () {
+      assert.deepEqual(umi.Transaction.verifyBatch([]), [])
+    })
+
+    describe('возвращяет ошибку если', function () {
+      const tests = [
+        { desc: 'передать не массив', args: txs[0] },
+        { desc: 'передать не транзакцию', args: [txs[0], txs[1].bytes] },
+        { desc: 'транзакция не подписана', args: [txs[0], new umi.Transaction().setVersion(umi.Transaction.Basic)] }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.Transaction.verifyBatch(test.args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('view', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const recipient = umi.Address.fromKey(key).setPrefix('aaa')
+    const txs = [1, 2].map(function (value) {
+      return new umi.Transaction()
+        .setVersion(umi.Transaction.Basic)
+        .setSender(umi.Address.fromKey(key))
+        .setRecipient(recipient)
+        .setValue(value)
+        .sign(key)
+    })
+    const buffer = new Uint8Array(3 + txs.length * umi.Transaction.LENGTH)
+    txs.forEach(function (tx, i) {
+      buffer.set(tx.bytes, 3 + i * umi.Transaction.LENGTH)
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'массив', args: [[], 0] },
+        { desc: 'ArrayBuffer', args: [buffer.buffer, 0] },
+        { desc: 'смещение строкой', args: [buffer, '3'] },
+        { desc: 'отрицательное смещение', args: [buffer, -1] },
+        { desc: 'смещение за пределами буфера', args: [buffer, 4 + umi.Transaction.LENGTH] }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () {
+            umi.Transaction.view(test.args[0], test.args[1])
+          }, Error)
+        })
+      })
+    })
+
+    it('читает поля транзакций из общего буфера', function () {
+      txs.forEach(function (tx, i) {
+        const view = umi.Transaction.view(buffer, 3 + i * umi.Transaction.LENGTH)
+        assert.isTrue(view.readOnly)
+        assert.strictEqual(view.version, tx.version)
+        assert.strictEqual(view.sender.bech32, tx.sender.bech32)
+        assert.strictEqual(view.recipient.bech32, recipient.bech32)
+        assert.strictEqual(view.recipient.prefix, 'aaa')
+        assert.strictEqual(view.value, tx.value)
+        assert.deepEqual(view.bytes, tx.bytes)
+        assert.deepEqual(view.hash, tx.hash)
+        assert.isTrue(view.verify())
+      })
+    })
+
+    it('смещение по умолчанию равно нулю', function () {
+      const view = umi.Transaction.view(txs[0].bytes)
+      assert.strictEqual(view.value, 1)
+    })
+
+    it('не копирует данные', function () {
+      const buf = txs[0].bytes
+      const view = umi.Transaction.view(buf)
+      buf[69 + 7] = 5
+      assert.strictEqual(view.value, 5)
+    })
+
+    describe('возвращяет ошибку при изменении', function () {
+      const tests = [
+        { desc: 'версии', fn: function (tx) { tx.version = 1 } },
+        { desc: 'суммы', fn: function (tx) { tx.setValue(1) } },
+        { desc: 'nonce', fn: function (tx) { tx.setNonce(1) } },
+        { desc: 'подписи', fn: function (tx) { tx.sign(key) } },
+        { desc: 'адреса отправителя', fn: function (tx) { tx.sender.setPrefix('aaa') } },
+        { desc: 'публичного ключа получателя', fn: function (tx) { tx.recipient.publicKey = key.publicKey } },
+        { desc: 'bech32 получателя', fn: function (tx) { tx.recipient.bech32 = recipient.bech32 } }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          const view = umi.Transaction.view(buffer, 3)
+          assert.throws(function () { test.fn(view) }, /read-only/)
+        })
+      })
+    })
+
+    it('обычная транзакция доступна для записи', function () {
+      assert.isFalse(new umi.Transaction().readOnly)
+    })
+  })
+
+  describe('toJSON / fromJSON', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const sender = umi.Address.fromKey(key)
+    const other = umi.Address.fromKey(key).setPrefix('aaa')
+
+    const basic = new umi.Transaction()
+      .setVersion(umi.Transaction.Basic)
+      .setSender(sender)
+      .setRecipient(other)
+      .setValue(42)
+      .setNonce(7)
+      .sign(key)
+    const structure = new umi.Transaction()
+      .setVersion(umi.Transaction.CreateStructure)
+      .setSender(sender)
+      .setPrefix('aaa')
+      .setName('🙂')
+      .setProfitPercent(100)
+      .setFeePercent(0)
+      .setNonce(8)
+      .sign(key)
+    const transit = new umi.Transaction()
+      .setVersion(umi.Transaction.CreateTransitAddress)
+      .setSender(sender)
+      .setRecipient(other)
+      .setNonce(9)
+      .sign(key)
+
+    it('Basic', function () {
+      const actual = basic.toJSON()
+      assert.deepEqual(Object.keys(actual), [
+        'version', 'sender', 'recipient', 'value', 'nonce', 'signature', 'hash'
+      ])
+      assert.strictEqual(actual.version, 1)
+      assert.strictEqual(actual.sender, sender.bech32)
+      assert.strictEqual(actual.recipient, other.bech32)
+      assert.strictEqual(actual.value, 42)
+      assert.strictEqual(actual.nonce, 7)
+      assert.match(actual.signature, /^[0-9a-f]{128}$/)
+      assert.match(actual.hash, /^[0-9a-f]{64}$/)
+    })
+
+    it('CreateStructure', function () {
+      const actual = JSON.parse(JSON.stringify(structure))
+      assert.deepEqual(Object.keys(actual), [
+        'version', 'sender', 'prefix', 'name', 'profitPercent', 'feePercent',
+        'nonce', 'signature', 'hash'
+      ])
+      assert.strictEqual(actual.prefix, 'aaa')
+      assert.strictEqual(actual.name, '🙂')
+    })
+
+    it('CreateTransitAddress', function () {
+      const actual = transit.toJSON()
+      assert.deepEqual(Object.keys(actual), [
+        'version', 'sender', 'recipient', 'nonce', 'signature', 'hash'
+      ])
+    })
+
+    it('неподписанная транзакция содержит только заданные поля', function () {
+      const tx = new umi.Transaction().setVersion(umi.Transaction.Basic).setValue(1)
+      assert.deepEqual(Object.keys(tx.toJSON()), ['version', 'value', 'hash'])
+    })
+
+    it('возвращяет ошибку если версия не задана', function () {
+      assert.throws(function () { new umi.Transaction().toJSON() }, Error)
+    })
+
+    describe('fromJSON восстанавливает транзакцию', function () {
+      [basic, structure, transit].forEach(function (tx) {
+        it('версии ' + tx.version, function () {
+          const json = JSON.parse(JSON.stringify(tx))
+          const actual = umi.Transaction.fromJSON(json)
+          assert.deepEqual(actual.bytes, tx.bytes)
+          assert.isTrue(actual.verify())
+        })
+      })
+
+      it('без хэша и подписи', function () {
+        const json = basic.toJSON()
+        delete json.hash
+        delete json.signature
+        const actual = umi.Transaction.fromJSON(json)
+        assert.strictEqual(actual.value, 42)
+        assert.throws(function () { return actual.signature }, Error)
+      })
+    })
+
+    describe('сумма и nonce больше 9007199254740991', function () {
+      const bytes = basic.bytes
+      bytes.fill(0xff, 69, 77)
+      bytes.set([0x00, 0x20, 0, 0, 0, 0, 0, 0], 77)
+      const tx = new umi.Transaction(bytes)
+
+      it('toJSON записывает их строкой', function () {
+        const actual = tx.toJSON()
+        assert.strictEqual(actual.value, '18446744073709551615')
+        assert.strictEqual(actual.nonce, '9007199254740992')
+      })
+
+      it('fromJSON читает строку', function () {
+        const json = JSON.parse(JSON.stringify(tx))
+        delete json.hash
+        delete json.signature
+        const actual = umi.Transaction.fromJSON(json)
+        assert.deepEqual(actual.bytes.subarray(0, 85), bytes.subarray(0, 85))
+        assert.throws(function () { return actual.value }, /not safe integer/)
+      })
+
+      it('граничное значение записывается числом', function () {
+        const json = umi.Transaction.fromJSON({ version: 1, value: 9007199254740991 }).toJSON()
+        assert.strictEqual(json.value, 9007199254740991)
+      })
+    })
+
+    describe('fromJSON(toJSON()) для значений из байтов', function () {
+      const tests = [
+        { desc: 'нулевые сумма и nonce', value: [0, 0, 0, 0, 0, 0, 0, 0], nonce: [0, 0, 0, 0, 0, 0, 0, 0], expected: [0, 0] },
+        {
+          desc: 'больше 9007199254740991',
+          value: [0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff],
+          nonce: [0x00, 0x20, 0, 0, 0, 0, 0, 0],
+          expected: ['18446744073709551615', '9007199254740992']
+        },
+        {
+          desc: 'равные 9007199254740991',
+          value: [0x00, 0x1f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff],
+          nonce: [0x00, 0x1f, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff],
+          expected: [9007199254740991, 9007199254740991]
+        }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          const bytes = basic.bytes
+          bytes.set(test.value, 69)
+          bytes.set(test.nonce, 77)
+          const tx = new umi.Transaction(bytes).sign(key)
+          const json = JSON.parse(JSON.stringify(tx))
+          assert.deepEqual([json.value, json.nonce], test.expected)
+          const actual = umi.Transaction.fromJSON(json)
+          assert.deepEqual(actual.bytes, tx.bytes)
+          assert.isTrue(actual.verify())
+        })
+      })
+    })
+
+    describe('fromJSON возвращяет ошибку если', function () {
+      function modified (tx, changes) {
+        const json = tx.toJSON()
+        Object.keys(changes).forEach(function (k) { json[k] = changes[k] })
+        return json
+      }
+
+      const tests = [
+        { desc: 'передать не объект', args: '{}' },
+        { desc: 'передать null', args: null },
+        { desc: 'передать массив', args: [] },
+        { desc: 'не указана версия', args: { sender: sender.bech32 } },
+        { desc: 'поле недопустимо для типа', args: modified(basic, { prefix: 'aaa' }) },
+        { desc: 'неизвестное поле', args: modified(basic, { foo: 1 }) },
+        { desc: 'некорректный адрес', args: modified(basic, { recipient: 'umi1' }) },
+        { desc: 'некорректная сумма', args: modified(basic, { value: '42' }) },
+        { desc: 'сумма отрицательная', args: modified(basic, { value: -1, hash: undefined }) },
+        { desc: 'сумма дробная', args: modified(basic, { value: 1.5, hash: undefined }) },
+        { desc: 'сумма строкой в безопасном диапазоне', args: modified(basic, { value: '9007199254740991', hash: undefined }) },
+        { desc: 'сумма больше 2^64 - 1', args: modified(basic, { value: '18446744073709551616', hash: undefined }) },
+        { desc: 'nonce строкой в hex', args: modified(basic, { nonce: '0x20000000000000', hash: undefined }) },
+        { desc: 'хэш не совпадает', args: modified(basic, { hash: transit.toJSON().hash }) },
+        { desc: 'хэш не hex', args: modified(basic, { hash: 'zz' }) },
+        { desc: 'подпись не hex', args: modified(basic, { signature: 'abc' }) },
+        { desc: 'подпись некорректна', args: modified(basic, { value: 43, hash: undefined }) }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          const args = test.args
+          if (args !== null && typeof args === 'object' && args.hash === undefined) {
+            delete args.hash
+          }
+          assert.throws(function () { umi.Transaction.fromJSON(args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('hex и base64', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const tx = new umi.Transaction()
+      .setVersion(umi.Transaction.Basic)
+      .setSender(umi.Address.fromKey(key))
+      .setRecipient(umi.Address.fromKey(key))
+      .setValue(42)
+      .sign(key)
+
+    it('fromHex(toHex())', function () {
+      const hex = tx.toHex()
+      assert.match(hex, /^[0-9a-f]{300}$/)
+      assert.deepEqual(umi.Transaction.fromHex(hex).bytes, tx.bytes)
+    })
+
+    it('fromBase64(toBase64())', function () {
+      const base64 = tx.toBase64()
+      assert.strictEqual(base64.length, 200)
+      assert.deepEqual(umi.Transaction.fromBase64(base64).bytes, tx.bytes)
+    })
+
+    it('кодирует Base64 с выравниванием', function () {
+      const bytes = new Uint8Array(150)
+      bytes[0] = 1
+      bytes[149] = 255
+      const base64 = new umi.Transaction(bytes).toBase64()
+      assert.strictEqual(base64.substr(0, 4), 'AQAA')
+      assert.strictEqual(base64.substr(-4), 'AAD/')
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'hex неверной длины', fn: 'fromHex', args: '00' },
+        { desc: 'base64 неверной длины', fn: 'fromBase64', args: 'AAAA' }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.Transaction[test.fn](test.args) }, Error)
+        })
+      })
+    })
+  })
 })
@@ -0,0 +1,138 @@
+'use strict'
+
+if (typeof window === 'undefined') {
+  var umi = require('../')
+  var assert = require('chai').assert
+}
+
+describe('WorkerPool', function () {
+  const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+
+  function newTransaction (value) {
+    return new umi.Transaction()
+      .setVersion(umi.Transaction.Basic)
+      .setSender(umi.Address.fromKey(key))
+      .setRecipient(umi.Address.fromKey(key))
+      .setValue(value)
+  }
+
+  it('пул не запущен по умолчанию', function () {
+    assert.strictEqual(umi.WorkerPool.size, 0)
+    return umi.WorkerPool.stop()
+  })
+
+  describe('start() возвращяет ошибку если', function () {
+    const tests = [
+      { desc: 'size равен нулю', args: { size: 0 } },
+      { desc: 'size дробный', args: { size: 1.5 } },
+      { desc: 'size строка', args: { size: '2' } },
+      { desc: 'url не строка', args: { size: 1, url: 1 } }
+    ]
+
+    tests.forEach(function (test) {
+      it(test.desc, function () {
+        assert.throws(function () { umi.WorkerPool.start(test.args) }, Error)
+        assert.strictEqual(umi.WorkerPool.size, 0)
+      })
+    })
+  })
+
+  if (typeof window === 'undefined') {
+    describe('worker_threads', function () {
+      before(function () {
+        try {
+          umi.WorkerPool.start({ size: 2 })
+        } catch (e) {
+          assert.match(e.message, /workers are not available/)
+          this.skip()
+        }
+      })
+
+      after(function () {
+        umi.CryptoBackend.use('auto')
+        return umi.WorkerPool.stop()
+      })
+
+      it('запускает воркеры', function () {
+        assert.strictEqual(umi.WorkerPool.size, 2)
+        assert.throws(function () { umi.WorkerPool.start() }, /already running/)
+      })
+
+      it('signAsync и verifySignatureAsync', function () {
+        const messages = [new Uint8Array(0), new Uint8Array(10).fill(1), new Uint8Array(1000).fill(2)]
+        return Promise.all(messages.map(function (msg) {
+          return key.signAsync(msg)
+        })).then(function (signatures) {
+          assert.deepEqual(signatures, messages.map(function (msg) { return key.sign(msg) }))
+          return Promise.all(messages.map(function (msg, i) {
+            return key.publicKey.verifySignatureAsync(signatures[(i + 1) % 3], msg)
+          }))
+        }).then(function (actual) {
+          assert.deepEqual(actual, [false, false, false])
+        })
+      })
+
+      it('работает с бэкендом js', function () {
+        umi.CryptoBackend.use('js')
+        const msg = new Uint8Array([1, 2, 3])
+        return key.signAsync(msg).then(function (signature) {
+          assert.deepEqual(signature, key.sign(msg))
+        })
+      })
+
+      it('Transaction.signAsync и verifyAsync', function () {
+        return newTransaction(1).signAsync(key).then(function (tx) {
+          assert.deepEqual(tx.signature, newTransaction(1).sign(key).signature)
+          return Promise.all([tx.verifyAsync(), tx.setValue(2).verifyAsync()])
+        }).then(function (actual) {
+          assert.deepEqual(actual, [true, false])
+        })
+      })
+
+      it('Block.verifyAsync распределяет транзакции между воркерами', function () {
+        const block = new umi.Block()
+        block.header
+          .setVersion(umi.BlockHeader.Basic)
+          .setPreviousBlockHash(new Uint8Array(32))
+        for (let i = 1; i <= 5; i++) {
+          block.appendTransaction(newTransaction(i).sign(key))
+        }
+        const bytes = block.sign(key).bytes
+        bytes[umi.BlockHeader.LENGTH + 3 * umi.Transaction.LENGTH + 100] ^= 1
+        const tampered = new umi.Block(bytes)
+        return tampered.verifyAsync().then(function (actual) {
+          assert.deepEqual(actual, tampered.verify())
+          assert.deepEqual(actual.invalidTransactions, [3])
+        })
+      })
+
+      it('stop() отклоняет незавершенные задачи', function () {
+        const pending = key.signAsync(new Uint8Array(1)).then(function () {
+          assert.fail('expected error')
+        }, function (e) {
+          assert.match(e.message, /worker pool is stopped/)
+        })
+        return umi.WorkerPool.stop().then(function () {
+          assert.strictEqual(umi.WorkerPool.size, 0)
+          return pending
+        })
+      })
+
+      it('удаляет завершившийся воркер и отклоняет его задачи', function () {
+        const fs = require('fs')
+        const path = require('path')
+        const file = path.join(require('os').tmpdir(), `umi-exit-worker-${process.pid}.js`)
+        fs.writeFileSync(file, "require('worker_threads').parentPort.on('message', function () { process.exit(3) })")
+        umi.WorkerPool.start({ size: 1, url: file })
+        return key.signAsync(new Uint8Array(1)).then(function () {
+          assert.fail('expected error')
+        }, function (e) {
+          assert.match(e.message, /exit code 3/)
+          assert.strictEqual(umi.WorkerPool.size, 0)
+        }).then(function () {
+          fs.unlinkSync(file)
+        })
+      })
+    })
+  }
+})
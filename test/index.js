@@ -1,3 +1,5 @@
+'use strict'
+
 if (typeof window === 'undefined') {
   var umi = require('../')
   var assert = require('chai').assert
@@ -199,4 +201,115 @@ describe('Address', function () {
       assert.equal(expected, adr.bech32)
     })
   })
+
+  describe('hex и base64', function () {
+    const secKey = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const adr = umi.Address.fromKey(secKey)
+    const hex = '55a93b6a27bcceb6a42d62a3a8d02a6f0d73653215771de243a63ac048a18b59da29'
+    const base64 = 'Vak7aie8zrakLWKjqNAqbw1zZTIVdx3iQ6Y6wEihi1naKQ=='
+
+    it('toHex', function () {
+      assert.strictEqual(adr.toHex(), hex)
+    })
+
+    it('toBase64', function () {
+      assert.strictEqual(adr.toBase64(), base64)
+    })
+
+    it('fromHex', function () {
+      assert.strictEqual(umi.Address.fromHex(hex).bech32, adr.bech32)
+    })
+
+    it('fromBase64', function () {
+      assert.strictEqual(umi.Address.fromBase64(base64).bech32, adr.bech32)
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'hex неверной длины', fn: 'fromHex', args: hex.substr(2) },
+        { desc: 'некорректный hex', fn: 'fromHex', args: 'x' },
+        { desc: 'base64 неверной длины', fn: 'fromBase64', args: base64.substr(4) },
+        { desc: 'некорректный base64', fn: 'fromBase64', args: 'AA=A' }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { umi.Address[test.fn](test.args) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('verifyMessage()', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const address = umi.Address.fromKey(key)
+    const message = 'Привет, UMI!'
+    const signature = 'ygiTeZylAiVlOu+pWd+wTRpAU2wxvvqBoEX5KWztT2xDYuHBCShMe5xwx0EiQztTWrVleQV5vy3YgchKdJCvBA=='
+
+    it('принимает корректную подпись', function () {
+      assert.isTrue(address.verifyMessage(message, signature))
+    })
+
+    it('отклоняет подпись другого сообщения', function () {
+      assert.isFalse(address.verifyMessage('Привет, UMI?', signature))
+    })
+
+    it('отклоняет подпись другого ключа', function () {
+      const other = umi.SecretKey.fromSeed(new Uint8Array(32).fill(1))
+      assert.isFalse(umi.Address.fromKey(other).verifyMessage(message, signature))
+    })
+
+    describe('возвращяет ошибку если передать', function () {
+      const tests = [
+        { desc: 'подпись не строкой', args: [message, new Uint8Array(64)] },
+        { desc: 'подпись неверной длины', args: [message, 'AAAA'] },
+        { desc: 'некорректный base64', args: [message, '!'.repeat(88)] },
+        { desc: 'сообщение не строкой', args: [1, signature] }
+      ]
+
+      tests.forEach(function (test) {
+        it(test.desc, function () {
+          assert.throws(function () { address.verifyMessage(test.args[0], test.args[1]) }, Error)
+        })
+      })
+    })
+  })
+
+  describe('verifyJwt()', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32))
+    const token = key.signJwt({ sub: 'user' })
+
+    it('проверяет токен ключом адреса', function () {
+      assert.strictEqual(umi.Address.fromKey(key).verifyJwt(token).sub, 'user')
+    })
+
+    it('возвращяет ошибку для токена другого адреса', function () {
+      const other = umi.Address.fromKey(umi.SecretKey.fromSeed(new Uint8Array(32).fill(1)))
+      assert.throws(function () { other.verifyJwt(token) }, /signature/)
+    })
+  })
+
+  describe('encryptTo()', function () {
+    const key = umi.SecretKey.fromSeed(new Uint8Array(32).fill(2))
+    const address = umi.Address.fromKey(key)
+
+    it('шифрует сообщение для владельца адреса', function () {
+      const ciphertext = address.encryptTo('invoice 42')
+      assert.lengthOf(ciphertext, 10 + 48)
+      assert.deepEqual(key.decrypt(ciphertext), new Uint8Array([105, 110, 118, 111, 105, 99, 101, 32, 52, 50]))
+    })
+
+    it('одноразовый ключ каждый раз новый', function () {
+      assert.notDeepEqual(address.encryptTo('invoice 42'), address.encryptTo('invoice 42'))
+    })
+
+    it('использует переданный источник случайных байтов', function () {
+      const random = function (length) { return new Uint8Array(length).fill(7) }
+      assert.deepEqual(address.encryptTo('invoice 42', random), address.encryptTo('invoice 42', random))
+    })
+
+    it('возвращяет ошибку если передать число', function () {
+      assert.throws(function () { address.encryptTo(42) }, Error)
+    })
+  })
 })